@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const server = require('./support/server');
+
+describe('meta route', () => {
+  let listener;
+  let baseUrl;
+
+  before(async () => {
+    listener = server.app.listen(0);
+    await new Promise(resolve => listener.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  });
+
+  after(() => new Promise(resolve => listener.close(resolve)));
+
+  const getMeta = async (path) => {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('lists series episodes with their TMDB names and air dates', async () => {
+    const { status, body } = await getMeta('/meta/series/tt0903747.json');
+    assert.equal(status, 200);
+    assert.deepEqual(body.meta.videos.map(v => [v.id, v.title, v.released]), [
+      ['tt0903747:1:1', 'Pilot', '2008-01-20T00:00:00.000Z'],
+      ['tt0903747:1:2', "Cat's in the Bag...", '2008-01-27T00:00:00.000Z'],
+      ['tt0903747:2:1', 'Seven Thirty-Seven', '2009-03-08T00:00:00.000Z'],
+      ['tt0903747:2:2', 'Grilled', undefined]
+    ]);
+  });
+
+  it('does not fetch the episode list again while the series meta is cached', async () => {
+    await getMeta('/meta/series/tt0903747.json');
+    const episodeListUrl = 'https://api.themoviedb.org/3/tv/1396?api_key=KEY&append_to_response=season/1,season/2';
+    const episodeListFetches = () => server.clients.tmdb.requests.filter(url => url === episodeListUrl).length;
+    const before = episodeListFetches();
+    const result = await server.resolvePreview('tt0903747', 'series', { season: 1, episode: 1 });
+    assert.equal(result.found, true);
+    assert.equal(episodeListFetches(), before);
+  });
+
+  it('serves movies with their own ID as the video', async () => {
+    const { status, body } = await getMeta('/meta/movie/tt0111161.json');
+    assert.equal(status, 200);
+    assert.equal(body.meta.name, 'The Shawshank Redemption');
+    assert.deepEqual(body.meta.behaviorHints, { defaultVideoId: 'tt0111161' });
+  });
+});
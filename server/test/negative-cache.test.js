@@ -0,0 +1,76 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Response } = require('node-fetch');
+const server = require('./support/server');
+
+const { clients, db, runTracedResolution, getResolutionCacheKey, DEFAULT_USER_CONFIG } = server;
+
+const archiveClient = clients.archive;
+const ytdlpClient = clients.ytdlp;
+// One source is allowed to run; each test uses its own config, so its own cache key
+const only = (source, maxQuality) => ({ ...DEFAULT_USER_CONFIG, sources: [source], maxQuality });
+
+const resolveMovie = async (imdbId, config) => {
+  const cacheKey = getResolutionCacheKey(imdbId, 'movie', null, config);
+  const { result, trace } = await runTracedResolution(imdbId, 'movie', null, config, cacheKey);
+  const row = db.prepare('SELECT misses, failures FROM negative_cache WHERE cache_key = ?').get(cacheKey);
+  return { result, trace, row };
+};
+
+// yt-dlp exiting with an error, like it does for `stderr`
+const failingYtDlp = (stderr) => async () => {
+  throw Object.assign(new Error(`Command failed: yt-dlp\n${stderr}`), { code: 1, stderr });
+};
+
+describe('negative cache', () => {
+  beforeEach(server.resetTrackers);
+
+  afterEach(() => {
+    clients.archive = archiveClient;
+    clients.ytdlp = ytdlpClient;
+  });
+
+  it('remembers a miss when every source answered', async () => {
+    clients.archive = async () => new Response(JSON.stringify({ response: { docs: [] } }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+    const { result, row } = await resolveMovie('tt0013442', only('archive', '1080p'));
+    assert.equal(result.found, false);
+    assert.equal(row.misses, 1);
+    assert.equal(JSON.parse(row.failures).archive, 'no result');
+  });
+
+  it('does not remember a miss when a source failed', async () => {
+    clients.archive = async () => new Response('Internal Server Error', {
+      status: 500,
+      headers: { 'Content-Type': 'text/html' }
+    });
+    const { result, trace, row } = await resolveMovie('tt0013442', only('archive', '720p'));
+    assert.equal(result.found, false);
+    assert.equal(trace.failures.archive, 'Internet Archive search failed: HTTP 500');
+    assert.equal(row, undefined);
+  });
+
+  it('remembers a miss when yt-dlp reports the videos unavailable', async () => {
+    clients.ytdlp = failingYtDlp('ERROR: [youtube] PLl99DlL6b4: Video unavailable\n');
+    const { result, row } = await resolveMovie('tt0111161', only('ytdlp', '1080p'));
+    assert.equal(result.found, false);
+    assert.equal(row.misses, 1);
+    assert.equal(JSON.parse(row.failures).ytdlp, 'no result');
+  });
+
+  it('does not remember a miss when yt-dlp hits a bot check', async () => {
+    clients.ytdlp = failingYtDlp("ERROR: [youtube] PLl99DlL6b4: Sign in to confirm you're not a bot\n");
+    const { result, trace, row } = await resolveMovie('tt0111161', only('ytdlp', '720p'));
+    assert.equal(result.found, false);
+    assert.equal(trace.failures.ytdlp, 'yt-dlp extraction failed: bot check');
+    assert.equal(row, undefined);
+  });
+
+  it('does not remember a miss when yt-dlp cannot connect', async () => {
+    clients.ytdlp = failingYtDlp('ERROR: [youtube] PLl99DlL6b4: Unable to download API page: <urlopen error [Errno 101] Network is unreachable>\n');
+    const { trace, row } = await resolveMovie('tt0111161', only('ytdlp', '480p'));
+    assert.match(trace.failures.ytdlp, /Network is unreachable/);
+    assert.equal(row, undefined);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const server = require('./support/server');
+
+const { resolvePreview, clients, overrides } = server;
+
+const SHAWSHANK_TRAILER = require('./fixtures/ytdlp.json')['https://www.youtube.com/watch?v=PLl99DlL6b4'];
+
+describe('resolvePreview', () => {
+  beforeEach(server.resetTrackers);
+
+  it('extracts the official YouTube trailer of a movie', async () => {
+    const result = await resolvePreview('tt0111161', 'movie');
+    assert.equal(result.found, true);
+    assert.equal(result.source, 'youtube');
+    assert.equal(result.previewUrl, SHAWSHANK_TRAILER);
+    // The teaser fails in yt-dlp and the featurette is not a trailer
+    assert.deepEqual(result.streams.map(s => s.url), [SHAWSHANK_TRAILER]);
+  });
+
+  it('serves repeated requests from the cache', async () => {
+    await resolvePreview('tt0111161', 'movie');
+    const tmdbRequests = clients.tmdb.requests.length;
+    const result = await resolvePreview('tt0111161', 'movie');
+    assert.equal(result.previewUrl, SHAWSHANK_TRAILER);
+    assert.equal(clients.tmdb.requests.length, tmdbRequests);
+  });
+
+  it('falls back to the Internet Archive when TMDB lists no videos', async () => {
+    const [first, second] = await Promise.all([
+      resolvePreview('tt0013442', 'movie'),
+      resolvePreview('tt0013442', 'movie')
+    ]);
+    assert.equal(first, second, 'concurrent requests share one resolution');
+    assert.equal(first.source, 'archive');
+    assert.equal(first.previewUrl, 'https://archive.org/download/Nosferatu1922OfficialTrailer/Nosferatu_Trailer.mp4');
+  });
+
+  it('uses the iTunes preview of the requested episode', async () => {
+    const result = await resolvePreview('tt0903747', 'series', { season: 1, episode: 1 });
+    assert.equal(result.found, true);
+    assert.equal(result.source, 'itunes');
+    assert.equal(result.trackId, 271383858);
+    assert.match(result.previewUrl, /mzvf_271383858/);
+  });
+
+  it('does not let a re-check join a plain resolution', async () => {
+    const findUrl = 'https://api.themoviedb.org/3/find/tt9999999?api_key=KEY&external_source=imdb_id';
+    const finds = () => clients.tmdb.requests.filter(url => url === findUrl).length;
+    const before = finds();
+    const [plain, recheck] = await Promise.all([
+      resolvePreview('tt9999999', 'movie'),
+      resolvePreview('tt9999999', 'movie', null, undefined, { recheck: true })
+    ]);
+    assert.notEqual(plain, recheck);
+    assert.equal(finds() - before, 2);
+  });
+
+  it('serves pinned videos while TMDB is unreachable', async () => {
+    const pin = overrides.create({
+      imdbId: 'tt0068646', season: null, episode: null, action: 'pin', kind: 'url',
+      value: 'https://example.com/godfather-trailer.mp4', note: null
+    });
+    const tmdbClient = clients.tmdb;
+    clients.tmdb = async () => { throw new Error('getaddrinfo ENOTFOUND api.themoviedb.org'); };
+    try {
+      const result = await resolvePreview('tt0068646', 'movie');
+      assert.equal(result.found, true);
+      assert.equal(result.previewUrl, 'https://example.com/godfather-trailer.mp4');
+    } finally {
+      clients.tmdb = tmdbClient;
+      overrides.remove(pin.id);
+    }
+  });
+
+  it('reports titles unknown to TMDB as not found', async () => {
+    const result = await resolvePreview('tt9999999', 'movie');
+    assert.equal(result.found, false);
+  });
+});
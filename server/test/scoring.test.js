@@ -0,0 +1,147 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const server = require('./support/server');
+
+const { scoreItem, findBestMatch, extractViaInternetArchive, resolutionTraces } = server;
+
+const itunesFixtures = require('./fixtures/http/itunes.json');
+const breakingBadEpisodes = Object.values(itunesFixtures)[0].body.results;
+
+const assertScore = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected score ${expected}, got ${actual}`);
+};
+
+const shawshank = {
+  mediaType: 'movie',
+  title: 'The Shawshank Redemption',
+  originalTitle: 'The Shawshank Redemption',
+  altTitles: ['Shawshank'],
+  year: 1994,
+  runtime: 142
+};
+
+const movieItem = (fields) => ({
+  trackName: 'The Shawshank Redemption',
+  releaseDate: '1994-09-23T07:00:00Z',
+  trackTimeMillis: 142 * 60000,
+  previewUrl: 'https://video-ssl.itunes.apple.com/preview.m4v',
+  ...fields
+});
+
+const breakingBad = (season, episode) => ({
+  mediaType: 'tv',
+  title: 'Breaking Bad',
+  originalTitle: 'Breaking Bad',
+  altTitles: [],
+  year: 2008,
+  season,
+  episode
+});
+
+describe('scoreItem', () => {
+  it('scores an exact movie match on title, year, runtime and preview length', () => {
+    assertScore(scoreItem(shawshank, movieItem()), 1.1);
+  });
+
+  it('scores alternative titles below the main title', () => {
+    assertScore(scoreItem(shawshank, movieItem({ trackName: 'Shawshank' })), 1.0);
+  });
+
+  it('penalizes movies released more than two years apart', () => {
+    assertScore(scoreItem(shawshank, movieItem({ releaseDate: '2004-01-01T08:00:00Z' })), 0.25);
+  });
+
+  it('penalizes a runtime more than 15 minutes off', () => {
+    assertScore(scoreItem(shawshank, movieItem({ trackTimeMillis: 90 * 60000 })), 0.75);
+  });
+
+  it('rejects results without a preview', () => {
+    assert.ok(scoreItem(shawshank, movieItem({ previewUrl: undefined })) < 0.6);
+  });
+
+  it('prefers the requested episode, then its season, then the show', () => {
+    const [pilot, secondEpisode, nextSeason] = breakingBadEpisodes;
+    const meta = breakingBad(1, 1);
+    assertScore(scoreItem(meta, pilot), 1.1);
+    assertScore(scoreItem(meta, secondEpisode), 1.0);
+    assertScore(scoreItem(meta, nextSeason), 0.85);
+  });
+
+  it('gives no episode bonus to a different show', () => {
+    const otherShow = breakingBadEpisodes[3];
+    assertScore(scoreItem(breakingBad(1, 1), otherShow), 0.55);
+  });
+});
+
+describe('findBestMatch', () => {
+  it('picks the highest scoring result', () => {
+    const match = findBestMatch(breakingBadEpisodes, breakingBad(2, 1));
+    assert.equal(match.item.trackName, 'Seven Thirty-Seven');
+    assertScore(match.score, 1.0);
+  });
+
+  it('returns null when nothing reaches the threshold', () => {
+    assert.equal(findBestMatch([breakingBadEpisodes[3]], breakingBad(1, 1)), null);
+    assert.equal(findBestMatch([], shawshank), null);
+  });
+
+  it('records every candidate in the current trace', () => {
+    const trace = resolutionTraces.create('tt0903747', 'series', { season: 1, episode: 1 }, 'test');
+    resolutionTraces.run(trace, () => findBestMatch(breakingBadEpisodes, breakingBad(1, 1)));
+    assert.deepEqual(trace.candidates.map(c => [c.title, c.rejected]), [
+      ['Pilot', undefined],
+      ["Cat's In the Bag...", undefined],
+      ['Seven Thirty-Seven', undefined],
+      ['Pilot', 'score below 0.6']
+    ]);
+  });
+});
+
+describe('Internet Archive scoring', () => {
+  beforeEach(server.resetTrackers);
+
+  const nosferatu = {
+    title: 'Nosferatu',
+    originalTitle: 'Nosferatu, eine Symphonie des Grauens',
+    altTitles: ['Nosferatu: A Symphony of Horror'],
+    year: 1922
+  };
+
+  const searchArchive = async (blockedIds = []) => {
+    const trace = resolutionTraces.create('tt0013442', 'movie', null, 'test');
+    const result = await resolutionTraces.run(trace, () => extractViaInternetArchive(nosferatu, 'tt0013442', null, blockedIds));
+    return { result, candidates: trace.candidates.filter(c => c.scorer === 'archive') };
+  };
+
+  it('rejects shorts, other IMDb IDs, weak titles and loose single-word matches', async () => {
+    const { candidates } = await searchArchive();
+    assert.deepEqual(candidates.map(c => [c.title, c.rejected]), [
+      ['Nosferatu #shorts', 'short, clip or featurette'],
+      ['Nosferatu the Vampyre', 'different IMDb ID tt0079641'],
+      ['Shadow of the Vampire Trailer', 'title similarity 0.28 below 0.5'],
+      ['Nosferatu (1922) Trailer', 'single-word title without IMDb ID is not an exact match'],
+      ['Coco Nosferatu', 'single-word title not at the start of the result'],
+      ['Nosferatu - Eine Symphonie des Grauens Trailer', undefined]
+    ]);
+    assert.equal(candidates[5].imdbMatch, true);
+  });
+
+  it('serves the best match from its metadata', async () => {
+    const { result } = await searchArchive();
+    assert.equal(result.url, 'https://archive.org/download/Nosferatu1922OfficialTrailer/Nosferatu_Trailer.mp4');
+    assert.equal(result.identifier, 'Nosferatu1922OfficialTrailer');
+    assert.equal(result.quality, '480p');
+  });
+
+  it('skips blocked identifiers', async () => {
+    const { result, candidates } = await searchArchive(['Nosferatu1922OfficialTrailer']);
+    assert.equal(result, null);
+    assert.deepEqual(candidates.at(-1), {
+      scorer: 'archive',
+      strategy: 'archive_collection_title_year',
+      title: 'Nosferatu - Eine Symphonie des Grauens Trailer',
+      year: '1922',
+      rejected: 'blocked by override'
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const server = require('./support/server');
+
+const SHAWSHANK_TRAILER = require('./fixtures/ytdlp.json')['https://www.youtube.com/watch?v=PLl99DlL6b4'];
+
+describe('stream route', () => {
+  let listener;
+  let baseUrl;
+
+  before(async () => {
+    listener = server.app.listen(0);
+    await new Promise(resolve => listener.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  });
+
+  after(() => new Promise(resolve => listener.close(resolve)));
+
+  beforeEach(server.resetTrackers);
+
+  const getStreams = async (path, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  it('returns the extracted trailer as a Stremio stream', async () => {
+    const { status, headers, body } = await getStreams('/stream/movie/tt0111161.json', { 'X-Request-Id': 'test-1' });
+    assert.equal(status, 200);
+    assert.equal(headers.get('x-request-id'), 'test-1');
+    assert.equal(body.streams.length, 1);
+    assert.equal(body.streams[0].url, SHAWSHANK_TRAILER);
+    assert.match(body.streams[0].name, /YouTube/);
+  });
+
+  it('replaces request IDs that are not short plain tokens', async () => {
+    for (const id of ['a'.repeat(65), 'id with spaces', 'id"injected']) {
+      const { headers } = await getStreams('/stream/movie/kitsu:1.json', { 'X-Request-Id': id });
+      assert.match(headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    }
+  });
+
+  it('answers repeated requests from the cache', async () => {
+    await getStreams('/stream/movie/tt0111161.json');
+    const tmdbRequests = server.clients.tmdb.requests.length;
+    const { body } = await getStreams('/stream/movie/tt0111161.json');
+    assert.equal(body.streams[0].url, SHAWSHANK_TRAILER);
+    assert.equal(server.clients.tmdb.requests.length, tmdbRequests);
+  });
+
+  it('returns no streams for titles without a trailer', async () => {
+    const { status, body } = await getStreams('/stream/movie/tt9999999.json');
+    assert.equal(status, 200);
+    assert.deepEqual(body.streams, []);
+  });
+
+  it('returns no streams for ids that are not IMDb IDs', async () => {
+    const { body } = await getStreams('/stream/movie/kitsu:1.json');
+    assert.deepEqual(body.streams, []);
+  });
+
+  it('returns no streams for malformed episode IDs without resolving them', async () => {
+    const tmdbRequests = server.clients.tmdb.requests.length;
+    for (const id of ['tt0903747:1:x', 'tt0903747:1:', 'tt0903747:1', 'tt0903747:-1:2']) {
+      const { status, body } = await getStreams(`/stream/series/${id}.json`);
+      assert.equal(status, 200);
+      assert.deepEqual(body.streams, []);
+    }
+    assert.equal(server.clients.tmdb.requests.length, tmdbRequests);
+  });
+
+  it('rejects an invalid add-on config', async () => {
+    const { status, body } = await getStreams('/not-a-config/stream/movie/tt0111161.json');
+    assert.equal(status, 400);
+    assert.match(body.error, /Invalid addon config/);
+  });
+});
@@ -0,0 +1,39 @@
+// Loads the server module the way the tests need it: a fresh database in a temporary directory, no
+// yt-dlp proxies, the fake yt-dlp from test/fixtures/bin and every HTTP client answered from fixtures.
+// Each test file runs in its own process, so each gets its own instance
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureClient } = require('./upstream');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trailerio-test-'));
+process.env.DB_PATH = path.join(dataDir, 'trailerio.db');
+process.env.TMDB_API_KEY = process.env.TMDB_API_KEY || 'test';
+process.env.YT_DLP_PROXIES = '';
+process.env.YT_DLP_BIN = path.join(__dirname, '..', 'fixtures', 'bin', 'yt-dlp');
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const server = require('../../index.js');
+
+for (const name of ['tmdb', 'itunes', 'piped', 'invidious', 'archive', 'web']) {
+  server.clients[name] = createFixtureClient(name);
+}
+
+// Success rates, quality and response time samples decide which sources and Archive search strategies run
+// first. Tests that resolve titles reset them, so they don't depend on what earlier tests recorded
+server.resetTrackers = () => {
+  for (const type of ['sources', 'piped', 'invidious', 'itunes', 'archive', 'ytdlp']) {
+    server.successTracker[type].clear();
+  }
+  server.qualityTracker.sources.clear();
+  for (const samples of Object.values(server.sourceResponseTimes)) {
+    if (Array.isArray(samples)) samples.length = 0;
+  }
+};
+
+process.on('exit', () => {
+  server.db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+module.exports = server;
@@ -0,0 +1,63 @@
+// Fake upstream clients answering from recorded responses in test/fixtures/http/<client>.json.
+// Each file maps a request URL (with the TMDB api_key replaced by KEY) to { status, contentType, body }.
+// A request without a fixture fails the test, so nothing reaches the network by accident.
+//
+// To record new fixtures, run the tests with RECORD_FIXTURES=1 (and a real TMDB_API_KEY): requests
+// missing from the files are sent for real and their responses are added
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const { Response } = fetch;
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'http');
+
+const fixtureKey = (url) => String(url).replace(/api_key=[^&]*/, 'api_key=KEY');
+
+function toResponse(url, fixture) {
+  const body = typeof fixture.body === 'string' ? fixture.body : JSON.stringify(fixture.body);
+  return new Response(body, {
+    url,
+    status: fixture.status || 200,
+    headers: { 'Content-Type': fixture.contentType || 'application/json' }
+  });
+}
+
+async function recordFixture(url, options) {
+  const response = await fetch(url, options);
+  const contentType = response.headers.get('content-type') || '';
+  const text = await response.text();
+  let body = text;
+  if (contentType.includes('json')) {
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Keep the raw text
+    }
+  }
+  return { status: response.status, contentType, body };
+}
+
+// Returns a fetch-compatible client; client.requests lists the URLs it was asked for
+function createFixtureClient(name, { record = process.env.RECORD_FIXTURES === '1' } = {}) {
+  const file = path.join(FIXTURE_DIR, `${name}.json`);
+  const fixtures = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+
+  const client = async (url, options = {}) => {
+    const key = fixtureKey(url);
+    client.requests.push(key);
+    options.signal?.throwIfAborted();
+
+    if (!fixtures[key] && record) {
+      fixtures[key] = await recordFixture(url, options);
+      fs.writeFileSync(file, `${JSON.stringify(fixtures, null, 2)}\n`);
+    }
+    if (!fixtures[key]) {
+      throw new Error(`No ${name} fixture for ${key}`);
+    }
+    return toResponse(url, fixtures[key]);
+  };
+  client.requests = [];
+  return client;
+}
+
+module.exports = { createFixtureClient, fixtureKey };
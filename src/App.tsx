@@ -3,6 +3,8 @@ import { TooltipProvider } from "@/components/ui/tooltip";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import Index from "./pages/Index";
 import Coverage from "./pages/Coverage";
+import Configure from "./pages/Configure";
+import Overrides from "./pages/Overrides";
 import NotFound from "./pages/NotFound";
 
 const App = () => (
@@ -12,6 +14,8 @@ const App = () => (
         <Routes>
           <Route path="/" element={<Index />} />
           <Route path="/coverage" element={<Coverage />} />
+          <Route path="/configure" element={<Configure />} />
+          <Route path="/overrides" element={<Overrides />} />
           <Route path="*" element={<NotFound />} />
         </Routes>
       </BrowserRouter>
@@ -0,0 +1,82 @@
+// Per-user addon configuration, encoded into the manifest URL as base64url JSON
+// Must stay in sync with parseUserConfig in server/index.js
+
+export type TrailerSource = "ytdlp" | "appletrailers" | "archive";
+export type MaxQuality = "2160p" | "1440p" | "1080p" | "720p" | "480p";
+
+export interface AddonConfig {
+  sources: TrailerSource[];
+  language: string;
+  region: string;
+  maxQuality: MaxQuality;
+  itunesEpisodes: boolean;
+}
+
+export const SOURCE_LABELS: Record<TrailerSource, string> = {
+  ytdlp: "YouTube (official trailers)",
+  appletrailers: "Apple Trailers",
+  archive: "Internet Archive",
+};
+
+export const MAX_QUALITIES: MaxQuality[] = ["2160p", "1440p", "1080p", "720p", "480p"];
+
+export const LANGUAGES: Record<string, string> = {
+  en: "English",
+  de: "German",
+  fr: "French",
+  es: "Spanish",
+  it: "Italian",
+  pt: "Portuguese",
+  nl: "Dutch",
+  ja: "Japanese",
+  ko: "Korean",
+};
+
+export const REGIONS: Record<string, string> = {
+  US: "United States",
+  GB: "United Kingdom",
+  CA: "Canada",
+  AU: "Australia",
+  DE: "Germany",
+  FR: "France",
+  ES: "Spain",
+  IT: "Italy",
+  BR: "Brazil",
+  JP: "Japan",
+};
+
+export const DEFAULT_CONFIG: AddonConfig = {
+  sources: ["ytdlp", "appletrailers", "archive"],
+  language: "en",
+  region: "US",
+  maxQuality: "1080p",
+  itunesEpisodes: true,
+};
+
+export function encodeConfig(config: AddonConfig): string {
+  const bytes = new TextEncoder().encode(JSON.stringify(config));
+  const binary = Array.from(bytes, (b) => String.fromCharCode(b)).join("");
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function decodeConfig(encoded: string | null): AddonConfig {
+  if (!encoded) return DEFAULT_CONFIG;
+  try {
+    const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64);
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    const parsed = JSON.parse(new TextDecoder().decode(bytes));
+    const sources = Array.isArray(parsed.sources)
+      ? parsed.sources.filter((s: string): s is TrailerSource => s in SOURCE_LABELS)
+      : [];
+    return {
+      sources: sources.length > 0 ? sources : DEFAULT_CONFIG.sources,
+      language: typeof parsed.language === "string" ? parsed.language : DEFAULT_CONFIG.language,
+      region: typeof parsed.region === "string" ? parsed.region : DEFAULT_CONFIG.region,
+      maxQuality: MAX_QUALITIES.includes(parsed.maxQuality) ? parsed.maxQuality : DEFAULT_CONFIG.maxQuality,
+      itunesEpisodes: typeof parsed.itunesEpisodes === "boolean" ? parsed.itunesEpisodes : DEFAULT_CONFIG.itunesEpisodes,
+    };
+  } catch {
+    return DEFAULT_CONFIG;
+  }
+}
@@ -0,0 +1,84 @@
+// Manual trailer overrides, managed through the backend's /admin/overrides endpoints
+// Must stay in sync with parseOverride in server/index.js
+
+import { getApiUrl } from "@/lib/utils";
+
+export type OverrideAction = "pin" | "block";
+export type OverrideKind = "youtube" | "archive" | "url";
+
+export interface OverrideFields {
+  imdbId: string;
+  season: number | null;
+  episode: number | null;
+  action: OverrideAction;
+  kind: OverrideKind;
+  value: string;
+  note: string | null;
+}
+
+export interface Override extends OverrideFields {
+  id: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export const ACTION_LABELS: Record<OverrideAction, string> = {
+  pin: "Pin (serve instead of searching)",
+  block: "Block (never serve)",
+};
+
+export const KIND_LABELS: Record<OverrideKind, string> = {
+  youtube: "YouTube video key",
+  archive: "Internet Archive identifier",
+  url: "URL",
+};
+
+// The admin routes need a token with the overrides scope (created with `node index.js tokens create`).
+// It is kept in this browser only
+const ADMIN_TOKEN_KEY = "trailerio-admin-token";
+
+export const getAdminToken = () => localStorage.getItem(ADMIN_TOKEN_KEY) || "";
+
+export const setAdminToken = (token: string) => {
+  if (token) {
+    localStorage.setItem(ADMIN_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(ADMIN_TOKEN_KEY);
+  }
+};
+
+// Error responses carry { error } with the reason (missing token or scope, validation, duplicate, unknown id)
+async function request<T>(path: string, init: RequestInit = {}): Promise<T> {
+  const response = await fetch(`${getApiUrl()}/admin/overrides${path}`, {
+    ...init,
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${getAdminToken()}`,
+      ...init.headers,
+    },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP error! status: ${response.status}`);
+  }
+  return data as T;
+}
+
+export async function listOverrides(imdbId?: string): Promise<Override[]> {
+  const query = imdbId ? `?imdbId=${encodeURIComponent(imdbId)}` : "";
+  const data = await request<{ overrides: Override[] }>(query);
+  return data.overrides;
+}
+
+export async function saveOverride(fields: OverrideFields, id?: number): Promise<Override> {
+  const data = await request<{ override: Override }>(id ? `/${id}` : "", {
+    method: id ? "PUT" : "POST",
+    body: JSON.stringify(fields),
+  });
+  return data.override;
+}
+
+export async function deleteOverride(id: number): Promise<void> {
+  await request(`/${id}`, { method: "DELETE" });
+}
@@ -0,0 +1,197 @@
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { ArrowLeft, ArrowUp, Check, Copy } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  type AddonConfig,
+  type MaxQuality,
+  type TrailerSource,
+  LANGUAGES,
+  MAX_QUALITIES,
+  REGIONS,
+  SOURCE_LABELS,
+  decodeConfig,
+  encodeConfig,
+} from "@/lib/addon-config";
+import { getApiUrl } from "@/lib/utils";
+
+const ALL_SOURCES = Object.keys(SOURCE_LABELS) as TrailerSource[];
+
+const selectClassName = "w-full bg-muted rounded-lg px-4 py-3 text-sm border border-input";
+
+const Configure = () => {
+  const [searchParams] = useSearchParams();
+  const [config, setConfig] = useState<AddonConfig>(() => decodeConfig(searchParams.get("config")));
+  const [copied, setCopied] = useState(false);
+
+  const manifestUrl = `${getApiUrl()}/${encodeConfig(config)}/manifest.json`;
+  const installUrl = manifestUrl.replace(/^https?:\/\//, "stremio://");
+
+  // Enabled sources keep their preference order, disabled ones are listed after them
+  const orderedSources = [
+    ...config.sources,
+    ...ALL_SOURCES.filter((s) => !config.sources.includes(s)),
+  ];
+
+  const toggleSource = (source: TrailerSource) => {
+    setConfig((prev) => {
+      if (prev.sources.includes(source)) {
+        // At least one trailer source must stay enabled
+        if (prev.sources.length === 1) return prev;
+        return { ...prev, sources: prev.sources.filter((s) => s !== source) };
+      }
+      return { ...prev, sources: [...prev.sources, source] };
+    });
+  };
+
+  const moveSourceUp = (source: TrailerSource) => {
+    setConfig((prev) => {
+      const index = prev.sources.indexOf(source);
+      if (index <= 0) return prev;
+      const sources = [...prev.sources];
+      [sources[index - 1], sources[index]] = [sources[index], sources[index - 1]];
+      return { ...prev, sources };
+    });
+  };
+
+  const copyManifestUrl = async () => {
+    await navigator.clipboard.writeText(manifestUrl);
+    setCopied(true);
+    toast.success("Copied to clipboard");
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="min-h-screen bg-black text-white">
+      <div className="max-w-2xl mx-auto px-6 py-20">
+        {/* Header */}
+        <header className="mb-16">
+          <Link
+            to="/"
+            className="inline-flex items-center gap-2 text-muted-foreground hover:text-foreground transition-colors mb-8"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back
+          </Link>
+          <h1 className="text-3xl font-semibold tracking-tight mb-3">
+            Configure
+          </h1>
+          <p className="text-muted-foreground">
+            Choose which trailers the add-on returns. Settings are stored in the manifest URL.
+          </p>
+        </header>
+
+        {/* Sources */}
+        <section className="mb-12">
+          <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide mb-4">
+            Sources (in order of preference)
+          </h2>
+          <div className="border border-border rounded-lg divide-y divide-border">
+            {orderedSources.map((source) => {
+              const enabled = config.sources.includes(source);
+              const index = config.sources.indexOf(source);
+              return (
+                <div key={source} className="px-4 py-3 flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={enabled}
+                    onChange={() => toggleSource(source)}
+                    className="w-4 h-4"
+                  />
+                  <span className={`flex-1 text-sm ${enabled ? "" : "text-muted-foreground"}`}>
+                    {SOURCE_LABELS[source]}
+                  </span>
+                  {enabled && index > 0 && (
+                    <button
+                      onClick={() => moveSourceUp(source)}
+                      className="text-muted-foreground hover:text-foreground transition-colors"
+                    >
+                      <ArrowUp className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+            <label className="px-4 py-3 flex items-center gap-3">
+              <input
+                type="checkbox"
+                checked={config.itunesEpisodes}
+                onChange={(e) => setConfig({ ...config, itunesEpisodes: e.target.checked })}
+                className="w-4 h-4"
+              />
+              <span className="flex-1 text-sm">iTunes episode previews (series)</span>
+            </label>
+          </div>
+        </section>
+
+        {/* Preferences */}
+        <section className="mb-12 grid grid-cols-3 gap-4">
+          <div>
+            <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide mb-4">
+              Language
+            </h2>
+            <select
+              value={config.language}
+              onChange={(e) => setConfig({ ...config, language: e.target.value })}
+              className={selectClassName}
+            >
+              {Object.entries(LANGUAGES).map(([code, name]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide mb-4">
+              Region
+            </h2>
+            <select
+              value={config.region}
+              onChange={(e) => setConfig({ ...config, region: e.target.value })}
+              className={selectClassName}
+            >
+              {Object.entries(REGIONS).map(([code, name]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide mb-4">
+              Max Quality
+            </h2>
+            <select
+              value={config.maxQuality}
+              onChange={(e) => setConfig({ ...config, maxQuality: e.target.value as MaxQuality })}
+              className={selectClassName}
+            >
+              {MAX_QUALITIES.map((quality) => (
+                <option key={quality} value={quality}>{quality}</option>
+              ))}
+            </select>
+          </div>
+        </section>
+
+        {/* Install */}
+        <section className="mb-16">
+          <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide mb-4">
+            Manifest URL
+          </h2>
+          <div className="flex gap-3 mb-4">
+            <div className="flex-1 bg-muted rounded-lg px-4 py-3 font-mono text-sm truncate">
+              {manifestUrl}
+            </div>
+            <Button onClick={copyManifestUrl} variant="outline" className="shrink-0">
+              {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+            </Button>
+          </div>
+          <Button asChild className="w-full">
+            <a href={installUrl}>Install in Stremio</a>
+          </Button>
+        </section>
+
+      </div>
+    </div>
+  );
+};
+
+export default Configure;
@@ -2,6 +2,7 @@ import { useState, useEffect } from "react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { toast } from "sonner";
+import { Link } from "react-router-dom";
 import { Copy, Check, Film, Tv } from "lucide-react";
 import { VideoPlayer } from "@/components/VideoPlayer";
 import { TITLE_MAP, TEST_TITLES } from "@/lib/constants";
@@ -13,6 +14,7 @@ const Index = () => {
   const [testImdbId, setTestImdbId] = useState("");
   const [testType, setTestType] = useState<"movie" | "series">("movie");
   const [testResult, setTestResult] = useState<any>(null);
+  const [selectedStream, setSelectedStream] = useState(0);
   const [loading, setLoading] = useState(false);
   const [copied, setCopied] = useState(false);
 
@@ -32,12 +34,15 @@ const Index = () => {
   const testAddon = async () => {
     setLoading(true);
     setTestResult(null);
+    setSelectedStream(0);
     
     try {
       const apiUrl = getApiUrl();
       const response = await fetch(`${apiUrl}/stream/${testType}/${testImdbId}.json`, {
         headers: {
-          'Accept': 'application/json'
+          'Accept': 'application/json',
+          // Scheduled after Stremio's own requests when the backend is busy
+          'X-Trailerio-Client': 'frontend'
         }
       });
       
@@ -148,12 +153,14 @@ const Index = () => {
 
             {testResult && (
               <div className="p-4 rounded-lg bg-muted space-y-4">
-                {testResult.streams?.[0]?.url ? (
+                {testResult.streams?.[selectedStream]?.url ? (
                   <div className="space-y-4">
                     <div className="flex items-center justify-between">
-                      <div className="text-sm text-muted-foreground">Preview found</div>
+                      <div className="text-sm text-muted-foreground">
+                        {testResult.streams.length > 1 ? `${testResult.streams.length} previews found` : "Preview found"}
+                      </div>
                       <a
-                        href={testResult.streams[0].url}
+                        href={testResult.streams[selectedStream].url}
                         target="_blank"
                         rel="noopener noreferrer"
                         className="text-xs text-muted-foreground hover:underline"
@@ -163,12 +170,28 @@ const Index = () => {
                     </div>
                     
                     {/* Inline Video Player with fallback */}
-                    <VideoPlayer url={testResult.streams[0].url} />
+                    <VideoPlayer url={testResult.streams[selectedStream].url} />
                     
-                    {/* Stream info */}
-                    {(testResult.streams[0].name || testResult.streams[0].title) && (
+                    {/* Stream picker (ranked, best first) */}
+                    {testResult.streams.length > 1 ? (
+                      <div className="flex flex-wrap gap-2">
+                        {testResult.streams.map((stream: { name?: string; title?: string; url: string }, index: number) => (
+                          <button
+                            key={stream.url}
+                            onClick={() => setSelectedStream(index)}
+                            className={`px-3 py-1.5 rounded-md text-xs transition-colors ${
+                              index === selectedStream
+                                ? "bg-white text-black"
+                                : "bg-black/40 text-muted-foreground hover:text-foreground"
+                            }`}
+                          >
+                            {(stream.title || stream.name).split("\n")[0]}
+                          </button>
+                        ))}
+                      </div>
+                    ) : (testResult.streams[0].title || testResult.streams[0].name) && (
                       <div className="text-xs text-muted-foreground">
-                        {testResult.streams[0].name || testResult.streams[0].title}
+                        {(testResult.streams[0].title || testResult.streams[0].name).split("\n")[0]}
                       </div>
                     )}
                   </div>
@@ -190,6 +213,12 @@ const Index = () => {
             <li>2. Open Stremio → Add-ons → Install from URL</li>
             <li>3. Paste the URL and install</li>
           </ol>
+          <p className="mt-6 text-sm text-muted-foreground">
+            Want different sources, language or quality?{" "}
+            <Link to="/configure" className="text-white underline hover:text-gray-300">
+              Configure the add-on
+            </Link>
+          </p>
         </section>
 
       </div>
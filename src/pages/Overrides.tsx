@@ -0,0 +1,304 @@
+import { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { ArrowLeft, Pencil, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { TITLE_MAP } from "@/lib/constants";
+import {
+  type Override,
+  type OverrideAction,
+  type OverrideKind,
+  ACTION_LABELS,
+  KIND_LABELS,
+  deleteOverride,
+  getAdminToken,
+  listOverrides,
+  saveOverride,
+  setAdminToken,
+} from "@/lib/overrides";
+
+const selectClassName = "w-full bg-muted rounded-lg px-4 py-3 text-sm border border-input";
+
+const VALUE_PLACEHOLDERS: Record<OverrideKind, string> = {
+  youtube: "dQw4w9WgXcQ",
+  archive: "archive.org item identifier",
+  url: "https://example.com/trailer.mp4",
+};
+
+// Form fields are kept as strings and converted on save
+const EMPTY_FORM = {
+  imdbId: "",
+  season: "",
+  episode: "",
+  action: "pin" as OverrideAction,
+  kind: "youtube" as OverrideKind,
+  value: "",
+  note: "",
+};
+
+const formatScope = (override: Override) => {
+  if (override.episode !== null) return `S${override.season}E${override.episode}`;
+  if (override.season !== null) return `Season ${override.season}`;
+  return "All";
+};
+
+const Overrides = () => {
+  const [token, setToken] = useState(getAdminToken);
+  const [overrides, setOverrides] = useState<Override[]>([]);
+  const [filter, setFilter] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadOverrides = async (imdbId?: string) => {
+    setLoading(true);
+    try {
+      setOverrides(await listOverrides(imdbId));
+    } catch (error) {
+      toast.error(`Error: ${(error as Error).message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (getAdminToken()) {
+      loadOverrides();
+    } else {
+      setLoading(false);
+    }
+  }, []);
+
+  const saveToken = () => {
+    setAdminToken(token.trim());
+    loadOverrides(filter.trim() || undefined);
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const editOverride = (override: Override) => {
+    setEditingId(override.id);
+    setForm({
+      imdbId: override.imdbId,
+      season: override.season !== null ? String(override.season) : "",
+      episode: override.episode !== null ? String(override.episode) : "",
+      action: override.action,
+      kind: override.kind,
+      value: override.value,
+      note: override.note || "",
+    });
+  };
+
+  const submit = async () => {
+    setSaving(true);
+    try {
+      await saveOverride({
+        imdbId: form.imdbId.trim(),
+        season: form.season ? parseInt(form.season) : null,
+        episode: form.episode ? parseInt(form.episode) : null,
+        action: form.action,
+        kind: form.kind,
+        value: form.value.trim(),
+        note: form.note.trim() || null,
+      }, editingId ?? undefined);
+      toast.success(editingId ? "Override updated" : "Override added");
+      resetForm();
+      await loadOverrides(filter.trim() || undefined);
+    } catch (error) {
+      toast.error(`Error: ${(error as Error).message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeOverride = async (override: Override) => {
+    try {
+      await deleteOverride(override.id);
+      toast.success("Override removed");
+      if (editingId === override.id) resetForm();
+      setOverrides((prev) => prev.filter((o) => o.id !== override.id));
+    } catch (error) {
+      toast.error(`Error: ${(error as Error).message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-black text-white">
+      <div className="max-w-2xl mx-auto px-6 py-20">
+        {/* Header */}
+        <header className="mb-16">
+          <Link
+            to="/"
+            className="inline-flex items-center gap-2 text-muted-foreground hover:text-foreground transition-colors mb-8"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back
+          </Link>
+          <h1 className="text-3xl font-semibold tracking-tight mb-3">
+            Overrides
+          </h1>
+          <p className="text-muted-foreground">
+            Pin the right trailer for a title or block a wrong match. Changes apply on the next request.
+          </p>
+        </header>
+
+        {/* Token */}
+        <section className="mb-12">
+          <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide mb-4">
+            Admin token
+          </h2>
+          <div className="flex gap-3">
+            <Input
+              type="password"
+              placeholder="tio_..."
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              className="font-mono flex-1"
+            />
+            <Button onClick={saveToken} variant="outline">
+              Use token
+            </Button>
+          </div>
+        </section>
+
+        {/* Form */}
+        <section className="mb-12">
+          <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide mb-4">
+            {editingId ? `Edit override #${editingId}` : "Add override"}
+          </h2>
+          <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-4">
+              <Input
+                placeholder="tt0111161"
+                value={form.imdbId}
+                onChange={(e) => setForm({ ...form, imdbId: e.target.value })}
+                className="font-mono"
+              />
+              <Input
+                type="number"
+                min={0}
+                placeholder="Season (series)"
+                value={form.season}
+                onChange={(e) => setForm({ ...form, season: e.target.value })}
+              />
+              <Input
+                type="number"
+                min={1}
+                placeholder="Episode"
+                value={form.episode}
+                onChange={(e) => setForm({ ...form, episode: e.target.value })}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <select
+                value={form.action}
+                onChange={(e) => setForm({ ...form, action: e.target.value as OverrideAction })}
+                className={selectClassName}
+              >
+                {Object.entries(ACTION_LABELS).map(([action, label]) => (
+                  <option key={action} value={action}>{label}</option>
+                ))}
+              </select>
+              <select
+                value={form.kind}
+                onChange={(e) => setForm({ ...form, kind: e.target.value as OverrideKind })}
+                className={selectClassName}
+              >
+                {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                  <option key={kind} value={kind}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <Input
+              placeholder={VALUE_PLACEHOLDERS[form.kind]}
+              value={form.value}
+              onChange={(e) => setForm({ ...form, value: e.target.value })}
+              className="font-mono"
+            />
+            <Input
+              placeholder="Note (optional)"
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+            />
+            <div className="flex gap-3">
+              <Button
+                onClick={submit}
+                disabled={saving || !form.imdbId || !form.value}
+                className="flex-1"
+              >
+                {saving ? "Saving..." : editingId ? "Save" : "Add"}
+              </Button>
+              {editingId && (
+                <Button onClick={resetForm} variant="outline">
+                  Cancel
+                </Button>
+              )}
+            </div>
+          </div>
+        </section>
+
+        {/* List */}
+        <section className="mb-16">
+          <h2 className="text-sm font-medium text-muted-foreground uppercase tracking-wide mb-4">
+            Overrides
+          </h2>
+          <div className="flex gap-3 mb-4">
+            <Input
+              placeholder="Filter by IMDb ID"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              className="font-mono flex-1"
+            />
+            <Button onClick={() => loadOverrides(filter.trim() || undefined)} variant="outline">
+              Search
+            </Button>
+          </div>
+          {loading ? (
+            <div className="text-sm text-muted-foreground">Loading overrides...</div>
+          ) : overrides.length === 0 ? (
+            <div className="text-sm text-muted-foreground">No overrides</div>
+          ) : (
+            <div className="border border-border rounded-lg divide-y divide-border">
+              {overrides.map((override) => (
+                <div key={override.id} className="px-4 py-3 flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm">
+                      {TITLE_MAP[override.imdbId] || override.imdbId}
+                      <span className="text-muted-foreground"> · {formatScope(override)}</span>
+                    </div>
+                    <div className="text-xs text-muted-foreground font-mono truncate">
+                      {override.action === "pin" ? "Pinned" : "Blocked"} {override.kind}: {override.value}
+                    </div>
+                    {override.note && (
+                      <div className="text-xs text-muted-foreground">{override.note}</div>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => editOverride(override)}
+                    className="text-muted-foreground hover:text-foreground transition-colors"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => removeOverride(override)}
+                    className="text-muted-foreground hover:text-foreground transition-colors"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+
+      </div>
+    </div>
+  );
+};
+
+export default Overrides;